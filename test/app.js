@@ -91,7 +91,9 @@ function initializePassport(passportInstance) {
 const app = express()
 initializePassport(passport)
 const store = new AuthExpressStore()
-store.createTable()
+store.createTable().catch((error) => {
+    debug.error(`Unable to create the session table: ${error.message}`)
+})
 
 app.use(bodyParser.json())
 app.use(bodyParser.urlencoded({ extended: false }))
@@ -181,4 +183,4 @@ app.use((req, res) => {
     res.status(404).send('Cannot find this page')
 })
 
-module.exports = { app }
+module.exports = { app, store }
@@ -1,8 +1,10 @@
-const { AuthExpressStore } = require('../index')
+const { AuthExpressStore, debug } = require('../index')
 
 const store = new AuthExpressStore()
 
-store.connectToDatabase()
-store.connection.query('DROP TABLE SESSIONS, TEST_SESSIONS', () => {
-    store.closeDatabaseConnection()
+store.query('DROP TABLE SESSIONS, TEST_SESSIONS', [], {}, (error) => {
+    if (error) {
+        debug.error(`Unable to drop the session tables: ${error.message}`)
+    }
+    store.close(() => {})
 })
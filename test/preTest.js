@@ -1,5 +1,8 @@
-const { AuthExpressStore } = require('../index')
+const { AuthExpressStore, debug } = require('../index')
 
 const store = new AuthExpressStore()
 
-store.createTable()
+store
+    .createTable()
+    .catch((error) => debug.error(`Unable to create the session table: ${error.message}`))
+    .finally(() => store.close())
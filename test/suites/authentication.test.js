@@ -4,7 +4,7 @@
  */
 const request = require('supertest')
 
-const { app } = require('../app')
+const { app, store } = require('../app')
 const { debug } = require('../../index')
 
 beforeEach(async () => {
@@ -71,3 +71,7 @@ test('GET / after the Express session limit days of not logging in requires anot
     jest.useRealTimers()
     jest.clearAllMocks()
 })
+
+afterAll((done) => {
+    store.close(done)
+})
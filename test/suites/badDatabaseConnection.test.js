@@ -7,7 +7,7 @@ process.env.DATABASE_PASSWORD = 'askldfjhalskdjfhalksjflkasjdhfalksjdhfhfhsfdajl
 const request = require('supertest')
 
 const { AuthExpressStore, debug } = require('../../index')
-const { app } = require('../app')
+const { app, store: appStore } = require('../app')
 
 const sessionData = {
     cookie: {
@@ -150,6 +150,12 @@ test('Attempting to createTable with bad database connection logs error without
     }).not.toThrow()
 })
 
-afterAll(() => {
+test('Awaiting a method with bad database connection rejects without crashing the app', async () => {
+    const store = new AuthExpressStore()
+    await expect(store.get('5qez7xPL2NmZST_1aexncI-DoIx_l4_e')).rejects.toThrow()
+})
+
+afterAll((done) => {
     delete process.env.DATABASE_PASSWORD
+    appStore.close(done)
 })
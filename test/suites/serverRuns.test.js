@@ -3,7 +3,7 @@
  */
 const request = require('supertest')
 
-const { app } = require('../app')
+const { app, store } = require('../app')
 const { debug } = require('../../index')
 
 beforeEach(async () => {
@@ -30,3 +30,7 @@ test('Not authenticated, route does NOT allow access to /protected', async () =>
     const agent = request.agent(app)
     await agent.get('/protected').expect(302).expect('Location', '/login')
 })
+
+afterAll((done) => {
+    store.close(done)
+})
@@ -4,8 +4,15 @@
  */
 
 const { randomUUID } = require('crypto')
+const { promisify } = require('util')
+const mysql = require('mysql')
 
-const { AuthExpressStore, debug } = require('../../index')
+const {
+    AuthExpressStore,
+    createHealthCheckHandler,
+    databaseDefaults,
+    debug
+} = require('../../index')
 
 const sampleSessionID = randomUUID()
 const sampleSessionData = {
@@ -48,13 +55,106 @@ function getSessionDetails(
     }
 }
 
+let store
+
+/**
+ * Helper function to create a stand-in for a callback based `mysql` pool, for tests that need the database to
+ * misbehave in ways a real one cannot be made to on demand.
+ * @param {Function} respond Called with the SQL and parameters of each query. Returns the result, or throws the error
+ * to fail with.
+ * @returns {object} The pool, with `queries` and `params` arrays recording the SQL and parameters of every query run on
+ * it
+ */
+function createStubPool(respond) {
+    const queries = []
+    const queryParams = []
+    const connection = {
+        query: (sql, params, callback) => {
+            queries.push(sql)
+            queryParams.push(params)
+            try {
+                const result = respond(sql, params)
+                setImmediate(callback, null, result)
+            } catch (error) {
+                setImmediate(callback, error)
+            }
+        },
+        release: () => {},
+        destroy: () => {}
+    }
+    return {
+        queries,
+        params: queryParams,
+        getConnection: (callback) => setImmediate(callback, null, connection),
+        end: (callback) => setImmediate(callback)
+    }
+}
+
+/**
+ * Helper function to make a stub pool behave like one with `connectionLimit: 1`, so a connection asked for while its
+ * only connection is checked out waits until that one is released
+ * @param {object} pool The stub pool from `createStubPool`
+ * @returns {object} The same pool
+ */
+function limitToOneConnection(pool) {
+    const { getConnection } = pool
+    const waiting = []
+    let checkedOut = false
+    const checkIn = () => {
+        checkedOut = false
+        if (waiting.length > 0) {
+            pool.getConnection(waiting.shift())
+        }
+    }
+    Object.assign(pool, {
+        waiting,
+        getConnection: (callback) => {
+            if (checkedOut) {
+                waiting.push(callback)
+                return
+            }
+            checkedOut = true
+            getConnection((error, connection) =>
+                callback(error, { ...connection, release: checkIn, destroy: checkIn })
+            )
+        }
+    })
+    return pool
+}
+
+/**
+ * Helper function to create an error the way the database drivers do
+ * @param {string} code The error code, such as `ER_LOCK_DEADLOCK`
+ * @param {boolean} fatal Whether the error broke the connection, such as `PROTOCOL_CONNECTION_LOST`
+ * @returns {Error} The error
+ */
+function createDriverError(code, fatal = false) {
+    const error = Error(`Simulated ${code}`)
+    error.code = code
+    error.fatal = fatal
+    return error
+}
+
+/**
+ * Helper function to run raw SQL through the store under test, for checks the store has no method for
+ * @param {string} sql The SQL statement
+ * @param {Array} params The values for its placeholders
+ * @returns {Promise<any>} The query results
+ */
+function runSql(sql, params = []) {
+    return promisify(store.query).call(store, sql, params, {})
+}
+
 beforeEach(() => {
     debug.test(expect.getState().currentTestName)
+    store = new AuthExpressStore()
 })
 
-test('SET and GET will successfully add and retrieve, respectively, from database', (done) => {
-    const store = new AuthExpressStore()
+afterEach((done) => {
+    store.close(done)
+})
 
+test('SET and GET will successfully add and retrieve, respectively, from database', (done) => {
     store.clear(() => {
         store.set(sampleSessionID, sampleSessionData, () => {
             store.get(sampleSessionID, (err, data) => {
@@ -66,8 +166,6 @@ test('SET and GET will successfully add and retrieve, respectively, from databas
 })
 
 test('GET non-existant session will not throw an error', (done) => {
-    const store = new AuthExpressStore()
-
     expect(async () => {
         store.clear(() => {
             store.get(sampleSessionID, (err, data) => {
@@ -79,8 +177,6 @@ test('GET non-existant session will not throw an error', (done) => {
 })
 
 test('DESTROY will successfully remove session from database', (done) => {
-    const store = new AuthExpressStore()
-
     store.clear(() => {
         store.set(sampleSessionID, sampleSessionData, () => {
             store.destroy(sampleSessionID, (err, data) => {
@@ -92,8 +188,6 @@ test('DESTROY will successfully remove session from database', (done) => {
 })
 
 test('DESTROY non-existant session will not throw an error', (done) => {
-    const store = new AuthExpressStore()
-
     expect(async () => {
         store.clear(() => {
             store.destroy(sampleSessionID, (err, data) => {
@@ -105,8 +199,6 @@ test('DESTROY non-existant session will not throw an error', (done) => {
 })
 
 test('ALL returns an array of all existing sessions that are not expired', (done) => {
-    const store = new AuthExpressStore()
-
     // Ensured only 5 sessions present, with 2 of them expired.
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
@@ -134,8 +226,6 @@ test('ALL returns an array of all existing sessions that are not expired', (done
 })
 
 test('CLEAR removes all sessions from the store', (done) => {
-    const store = new AuthExpressStore()
-
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
     const session3 = getSessionDetails()
@@ -158,8 +248,6 @@ test('CLEAR removes all sessions from the store', (done) => {
 })
 
 test('LENGTH will successfully report count of unexpired sessions when present', (done) => {
-    const store = new AuthExpressStore()
-
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
     const session3 = getSessionDetails()
@@ -182,8 +270,6 @@ test('LENGTH will successfully report count of unexpired sessions when present',
 })
 
 test('LENGTH will successfully report 0 when no sessions present', (done) => {
-    const store = new AuthExpressStore()
-
     store.clear(() => {
         store.length(async (err, data) => {
             expect(data).toEqual(0)
@@ -193,8 +279,6 @@ test('LENGTH will successfully report 0 when no sessions present', (done) => {
 })
 
 test('LENGTH will successfully report 0 when no unexpired sessions present', (done) => {
-    const store = new AuthExpressStore()
-
     const session = getSessionDetails(undefined, Date.now() - 100) // Expired session
 
     store.clear(() => {
@@ -208,18 +292,49 @@ test('LENGTH will successfully report 0 when no unexpired sessions present', (do
     })
 })
 
-test('TOUCH successfully updates found sessions', (done) => {
-    const store = new AuthExpressStore()
-
-    // Ensured only 5 sessions present, with 2 of them expired.
+test('SET replaces the data, expiry, and user of an existing session', (done) => {
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
 
     store.clear(async () => {
         store.set(session1.sessionID, session1.sessionData, async () => {
-            store.touch(session1.sessionID, session2.sessionData, async () => {
+            store.set(session1.sessionID, session2.sessionData, async () => {
                 store.get(session1.sessionID, async (err, data) => {
                     expect(data).toStrictEqual(session2.sessionData)
+                    store.destroyUser(session2.email, async () => {
+                        store.get(session1.sessionID, async (error, destroyedData) => {
+                            expect(destroyedData).toBe(undefined)
+                            done()
+                        })
+                    })
+                })
+            })
+        })
+    })
+})
+
+test('SET with upsert turned off keeps an existing session as it is', async () => {
+    const pool = createStubPool(() => ({ affectedRows: 0 }))
+    store = new AuthExpressStore({ connection: pool, upsert: false })
+    await store.set(sampleSessionID, sampleSessionData)
+
+    store = new AuthExpressStore({ connection: pool })
+    await store.set(sampleSessionID, { cookie: sampleSessionData.cookie })
+
+    expect(pool.queries[0]).toEqual('INSERT IGNORE INTO ?? (??, ??, ??, ??) VALUES (?, ?, ?, ?)')
+    expect(pool.queries[1]).toMatch(/^INSERT INTO .* ON DUPLICATE KEY UPDATE/s)
+})
+
+test('TOUCH successfully updates the expiry of found sessions, leaving their data alone', (done) => {
+    const session1 = getSessionDetails()
+    const session2 = getSessionDetails(undefined, session1.expireTime + 60000)
+
+    store.clear(async () => {
+        store.set(session1.sessionID, session1.sessionData, async () => {
+            store.touch(session1.sessionID, session2.sessionData, async () => {
+                store.get(session1.sessionID, async (err, data) => {
+                    expect(data.passport).toStrictEqual(session1.sessionData.passport)
+                    expect(data.cookie.expires).toStrictEqual(session2.sessionData.cookie.expires)
                     done()
                 })
             })
@@ -227,9 +342,55 @@ test('TOUCH successfully updates found sessions', (done) => {
     })
 })
 
-test('TOUCH does nothing for non-found sessions', (done) => {
-    const store = new AuthExpressStore()
+test('TOUCH skips writes that would move the expiry less than touchAfter', async () => {
+    const expires = Date.now() + 1209600000
+    const pool = createStubPool((sql) => {
+        if (sql.startsWith('SELECT')) {
+            return [{ sessionData: JSON.stringify(sampleSessionData), sessionExpires: expires }]
+        }
+        return { affectedRows: 1 }
+    })
+    store = new AuthExpressStore({ connection: pool, touchAfter: 60000 })
+    const touchAt = (time) =>
+        store.touch(sampleSessionID, { ...sampleSessionData, cookie: { expires: new Date(time) } })
+
+    await store.get(sampleSessionID)
+    await touchAt(expires + 1000)
+    expect(pool.queries).toHaveLength(1)
+
+    await touchAt(expires + 120000)
+    await touchAt(expires + 150000)
+    expect(pool.queries).toStrictEqual([
+        'SELECT ?? AS sessionData, ?? AS sessionExpires FROM ?? WHERE ?? = ? AND ?? >= ?',
+        'UPDATE ?? SET ?? = ? WHERE ?? = ?'
+    ])
+
+    await store.destroy(sampleSessionID)
+    await touchAt(expires + 160000)
+    expect(pool.queries).toHaveLength(4)
+})
 
+test('TOUCH after a SET that upsert turned off left as it was is not skipped by touchAfter', async () => {
+    const expires = Date.now() + 1209600000
+    const pool = createStubPool(() => ({ affectedRows: 0 }))
+    store = new AuthExpressStore({ connection: pool, upsert: false, touchAfter: 60000 })
+
+    await store.set(sampleSessionID, {
+        ...sampleSessionData,
+        cookie: { expires: new Date(expires) }
+    })
+    await store.touch(sampleSessionID, {
+        ...sampleSessionData,
+        cookie: { expires: new Date(expires + 1000) }
+    })
+
+    expect(pool.queries).toStrictEqual([
+        'INSERT IGNORE INTO ?? (??, ??, ??, ??) VALUES (?, ?, ?, ?)',
+        'UPDATE ?? SET ?? = ? WHERE ?? = ?'
+    ])
+})
+
+test('TOUCH does nothing for non-found sessions', (done) => {
     // Ensured only 5 sessions present, with 2 of them expired.
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
@@ -249,8 +410,6 @@ test('TOUCH does nothing for non-found sessions', (done) => {
 })
 
 test('EXPIRED returns all found sessions', (done) => {
-    const store = new AuthExpressStore()
-
     // Ensured only 5 sessions present, with 2 of them expired.
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
@@ -278,8 +437,6 @@ test('EXPIRED returns all found sessions', (done) => {
 })
 
 test('EXPIRED returns nothing when no sessions are expired', (done) => {
-    const store = new AuthExpressStore()
-
     // Ensured only 5 sessions present, with 2 of them expired.
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
@@ -301,8 +458,6 @@ test('EXPIRED returns nothing when no sessions are expired', (done) => {
 })
 
 test('EXPIREDLENGTH will successfully report 0 when no expired sessions present', (done) => {
-    const store = new AuthExpressStore()
-
     const session = getSessionDetails()
 
     store.clear(() => {
@@ -316,8 +471,6 @@ test('EXPIREDLENGTH will successfully report 0 when no expired sessions present'
 })
 
 test('EXPIREDLENGTH will successfully report when expired sessions present', (done) => {
-    const store = new AuthExpressStore()
-
     // Ensured only 5 sessions present, with 2 of them expired.
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
@@ -344,8 +497,6 @@ test('EXPIREDLENGTH will successfully report when expired sessions present', (do
 })
 
 test('EXPIREDCLEAR removes all expired sessions from the store', (done) => {
-    const store = new AuthExpressStore()
-
     const session1 = getSessionDetails()
     const session2 = getSessionDetails()
     const session3 = getSessionDetails()
@@ -368,8 +519,6 @@ test('EXPIREDCLEAR removes all expired sessions from the store', (done) => {
 })
 
 test('DESTROYUSER removes all sessions from the store for only that user, expired or not', (done) => {
-    const store = new AuthExpressStore()
-
     const session1 = getSessionDetails('test@test.com')
     const session2 = getSessionDetails('test@test.com')
     const session3 = getSessionDetails('otheruser@test.com')
@@ -395,8 +544,6 @@ test('DESTROYUSER removes all sessions from the store for only that user, expire
 })
 
 test('CREATETABLE with defaults will successfully make the table, then add and retrieve, respectively, from database', (done) => {
-    const store = new AuthExpressStore()
-
     store.createTable(() => {
         store.clear(() => {
             store.set(sampleSessionID, sampleSessionData, () => {
@@ -410,7 +557,7 @@ test('CREATETABLE with defaults will successfully make the table, then add and r
 })
 
 test('CREATETABLE with new config data will successfully make the table, then add and retrieve, respectively, from database', (done) => {
-    const store = new AuthExpressStore({ tableName: 'TEST_SESSIONS' })
+    store = new AuthExpressStore({ tableName: 'TEST_SESSIONS' })
 
     store.createTable(() => {
         store.clear(() => {
@@ -423,3 +570,1255 @@ test('CREATETABLE with new config data will successfully make the table, then ad
         })
     })
 })
+
+test("Concurrent SET and GET calls share the pool without closing each other's connections", (done) => {
+    const sessions = [getSessionDetails(), getSessionDetails(), getSessionDetails()]
+    let remaining = sessions.length
+
+    store.clear(() => {
+        sessions.forEach((session) => {
+            store.set(session.sessionID, session.sessionData, (setError) => {
+                expect(setError).toBeFalsy()
+                store.get(session.sessionID, (getError, data) => {
+                    expect(getError).toBeFalsy()
+                    expect(data).toStrictEqual(session.sessionData)
+                    remaining -= 1
+                    if (remaining === 0) {
+                        done()
+                    }
+                })
+            })
+        })
+    })
+})
+
+test('An external pool is used for queries and is not closed by the store', (done) => {
+    const externalPool = mysql.createPool(databaseDefaults)
+    const externalStore = new AuthExpressStore({ connection: externalPool })
+
+    externalStore.set(sampleSessionID, sampleSessionData, () => {
+        externalStore.get(sampleSessionID, (err, data) => {
+            expect(data).toStrictEqual(sampleSessionData)
+            externalStore.close(() => {
+                externalPool.query('SELECT 1 AS ONE', (error, result) => {
+                    expect(error).toBeFalsy()
+                    expect(result[0].ONE).toEqual(1)
+                    externalPool.end(done)
+                })
+            })
+        })
+    })
+})
+
+test('An external single connection is used for queries and is not closed by the store', (done) => {
+    const externalConnection = mysql.createConnection(databaseDefaults)
+    const externalStore = new AuthExpressStore({ connection: externalConnection })
+
+    externalStore.length((err, length) => {
+        expect(err).toBeFalsy()
+        expect(typeof length).toBe('number')
+        externalStore.close(() => {
+            expect(externalConnection.state).not.toEqual('disconnected')
+            externalConnection.end(done)
+        })
+    })
+})
+
+test.each(['mysql', 'mysql2', 'mysql2/promise', 'mariadb'])(
+    'SET, GET, LENGTH and DESTROY behave the same using the %p driver',
+    (driver, done) => {
+        store = new AuthExpressStore({ driver })
+        const session = getSessionDetails()
+
+        store.clear(() => {
+            store.set(session.sessionID, session.sessionData, (setError) => {
+                expect(setError).toBeFalsy()
+                store.get(session.sessionID, (getError, data) => {
+                    expect(data).toStrictEqual(session.sessionData)
+                    store.length((lengthError, length) => {
+                        expect(length).toEqual(1)
+                        store.destroy(session.sessionID, (destroyError) => {
+                            expect(destroyError).toBeFalsy()
+                            store.get(session.sessionID, (error, destroyedData) => {
+                                expect(destroyedData).toBe(undefined)
+                                done()
+                            })
+                        })
+                    })
+                })
+            })
+        })
+    }
+)
+
+test('Methods return Promises that can be awaited when no callback is given', async () => {
+    const session1 = getSessionDetails('promise@test.com')
+    const session2 = getSessionDetails('promise@test.com')
+
+    await expect(store.createTable()).resolves.toBeUndefined()
+    await store.clear()
+    await store.set(session1.sessionID, session1.sessionData)
+    await store.set(session2.sessionID, session2.sessionData)
+
+    await expect(store.get(session1.sessionID)).resolves.toStrictEqual(session1.sessionData)
+    await expect(store.length()).resolves.toEqual(2)
+    await expect(store.all()).resolves.toHaveLength(2)
+
+    await store.touch(session1.sessionID, session1.sessionData)
+    await store.destroy(session2.sessionID)
+    await expect(store.length()).resolves.toEqual(1)
+
+    await store.destroyUser('promise@test.com')
+    await expect(store.get(session1.sessionID)).resolves.toBeUndefined()
+    await expect(store.expired()).resolves.toHaveLength(0)
+    await expect(store.expiredLength()).resolves.toEqual(0)
+    await expect(store.expiredClear()).resolves.toBeUndefined()
+})
+
+test('CLOSE waits for in-flight queries, then rejects new operations', async () => {
+    const session = getSessionDetails()
+    await store.clear()
+
+    const pendingSet = store.set(session.sessionID, session.sessionData)
+    await store.close()
+    await expect(pendingSet).resolves.toBeUndefined()
+
+    await expect(store.get(session.sessionID)).rejects.toHaveProperty('code', 'ESTORECLOSED')
+    await expect(store.close()).resolves.toBeUndefined()
+})
+
+test('Queries failing with a transient error are retried until they succeed', async () => {
+    const failures = [
+        createDriverError('PROTOCOL_CONNECTION_LOST'),
+        createDriverError('ER_LOCK_DEADLOCK')
+    ]
+    const pool = createStubPool(() => {
+        if (failures.length > 0) {
+            throw failures.shift()
+        }
+        return [{ LEN: 4 }]
+    })
+    store = new AuthExpressStore({ connection: pool, retry: { baseDelay: 1, maxDelay: 5 } })
+
+    await expect(store.length()).resolves.toEqual(4)
+    expect(pool.queries).toHaveLength(3)
+})
+
+test('Queries stop retrying after the max attempts and return the last error', async () => {
+    const pool = createStubPool(() => {
+        throw createDriverError('ECONNRESET')
+    })
+    store = new AuthExpressStore({
+        connection: pool,
+        retry: { maxAttempts: 4, baseDelay: 1, maxDelay: 5 }
+    })
+
+    await expect(store.expiredLength()).rejects.toHaveProperty('code', 'ECONNRESET')
+    expect(pool.queries).toHaveLength(4)
+})
+
+test('Queries failing with an error that is not retryable are not retried', async () => {
+    const pool = createStubPool(() => {
+        throw createDriverError('ER_NO_SUCH_TABLE')
+    })
+    store = new AuthExpressStore({ connection: pool, retry: { baseDelay: 1, maxDelay: 5 } })
+
+    await expect(store.all()).rejects.toHaveProperty('code', 'ER_NO_SUCH_TABLE')
+    expect(pool.queries).toHaveLength(1)
+})
+
+test('Statements that are not idempotent are only retried when they certainly did not run', (done) => {
+    const failures = [createDriverError('ER_LOCK_DEADLOCK'), createDriverError('ECONNRESET')]
+    const pool = createStubPool(() => {
+        throw failures.shift()
+    })
+    store = new AuthExpressStore({ connection: pool, retry: { baseDelay: 1, maxDelay: 5 } })
+
+    store.query('INSERT INTO LOG VALUES (1)', [], { idempotent: false }, (error) => {
+        // The deadlock was rolled back so it is retried, but the reset may have happened after the insert
+        expect(error.code).toEqual('ECONNRESET')
+        expect(pool.queries).toHaveLength(2)
+        done()
+    })
+})
+
+test('The circuit breaker opens after repeated connection failures, fails fast, then recovers', (done) => {
+    let databaseDown = true
+    const pool = createStubPool(() => {
+        if (databaseDown) {
+            throw createDriverError('PROTOCOL_CONNECTION_LOST', true)
+        }
+        return [{ LEN: 1 }]
+    })
+    store = new AuthExpressStore({
+        connection: pool,
+        retry: { maxAttempts: 1 },
+        circuitBreaker: { failureThreshold: 2, probeInterval: 10 }
+    })
+
+    store.on('disconnect', async () => {
+        const queriesWhenOpened = pool.queries.length
+        await expect(store.length()).rejects.toHaveProperty('code', 'ECIRCUITOPEN')
+        expect(pool.queries).toHaveLength(queriesWhenOpened)
+        databaseDown = false
+    })
+    store.on('connect', async () => {
+        await expect(store.length()).resolves.toEqual(1)
+        done()
+    })
+
+    store.length(() => {
+        store.length(() => {})
+    })
+})
+
+test('SQL errors do not count towards opening the circuit breaker', async () => {
+    const pool = createStubPool(() => {
+        throw createDriverError('ER_NO_SUCH_TABLE')
+    })
+    store = new AuthExpressStore({ connection: pool, circuitBreaker: { failureThreshold: 1 } })
+    const onDisconnect = jest.fn()
+    store.on('disconnect', onDisconnect)
+
+    await expect(store.all()).rejects.toHaveProperty('code', 'ER_NO_SUCH_TABLE')
+    await expect(store.all()).rejects.toHaveProperty('code', 'ER_NO_SUCH_TABLE')
+    expect(onDisconnect).not.toHaveBeenCalled()
+})
+
+test('Reads go to the replicas in turn while writes go to the primary', async () => {
+    const primary = createStubPool(() => [{ LEN: 0 }])
+    const replica1 = createStubPool(() => [{ LEN: 1 }])
+    const replica2 = createStubPool(() => [{ LEN: 2 }])
+    store = new AuthExpressStore({ connection: primary, replicas: [replica1, replica2] })
+
+    await expect(store.length()).resolves.toEqual(1)
+    await expect(store.expiredLength()).resolves.toEqual(2)
+    await store.destroy(sampleSessionID)
+
+    expect(primary.queries).toStrictEqual(['DELETE FROM ?? WHERE ?? = ?'])
+    expect(replica1.queries).toHaveLength(1)
+    expect(replica2.queries).toHaveLength(1)
+})
+
+test('Reads fall back to the primary when a replica cannot be reached', async () => {
+    const primary = createStubPool(() => [{ LEN: 0 }])
+    const replica = createStubPool(() => {
+        throw createDriverError('ECONNREFUSED', true)
+    })
+    store = new AuthExpressStore({ connection: primary, replicas: [replica] })
+
+    await expect(store.length()).resolves.toEqual(0)
+    expect(replica.queries).toHaveLength(1)
+    expect(primary.queries).toHaveLength(1)
+})
+
+test('Reads of a session go to the primary within the read-your-writes window after it is written', async () => {
+    const primary = createStubPool(() => [])
+    const replica = createStubPool(() => [])
+    store = new AuthExpressStore({
+        connection: primary,
+        replicas: [replica],
+        readYourWritesWindow: 60000
+    })
+
+    await store.destroy(sampleSessionID)
+    await store.get(sampleSessionID)
+    await store.get(randomUUID())
+
+    expect(primary.queries).toHaveLength(2)
+    expect(replica.queries).toHaveLength(1)
+
+    await store.destroyUser('test@test.com')
+    await store.get(randomUUID())
+    expect(replica.queries).toHaveLength(1)
+})
+
+/**
+ * Helper function to create a stand-in for the database behind a health check
+ * @param {Array<string>} columns The columns the session table has, or an empty array if it does not exist
+ * @returns {object} The stub pool
+ */
+function createHealthCheckPool(columns) {
+    return createStubPool((sql) => {
+        if (sql.includes('INFORMATION_SCHEMA')) {
+            return columns.map((columnName) => ({ columnName }))
+        }
+        return [{ 1: 1 }]
+    })
+}
+
+test('HEALTHCHECK reports healthy when the database answers and the table has every column', async () => {
+    store = new AuthExpressStore({
+        connection: createHealthCheckPool(['session_id', 'EXPIRES', 'DATA', 'USER'])
+    })
+
+    const report = await store.healthCheck()
+    expect(report.healthy).toBe(true)
+    expect(report.latency).toBeGreaterThanOrEqual(0)
+    expect(report.circuit).toEqual('closed')
+    expect(report.table).toStrictEqual({ name: 'SESSIONS', missingColumns: [] })
+    expect(report.error).toBeUndefined()
+})
+
+test('HEALTHCHECK reports the missing table and columns', async () => {
+    store = new AuthExpressStore({ connection: createHealthCheckPool([]) })
+    await expect(store.healthCheck()).resolves.toMatchObject({
+        healthy: false,
+        error: "The session table 'SESSIONS' does not exist"
+    })
+
+    store = new AuthExpressStore({
+        connection: createHealthCheckPool(['SESSION_ID', 'EXPIRES', 'DATA']),
+        columnNames: { user: 'EMAIL' }
+    })
+    const report = await store.healthCheck()
+    expect(report.healthy).toBe(false)
+    expect(report.table.missingColumns).toStrictEqual(['EMAIL'])
+    expect(report.error).toEqual("The session table 'SESSIONS' is missing the columns: EMAIL")
+})
+
+test('HEALTHCHECK reports an unreachable database after a single attempt', async () => {
+    const pool = createStubPool(() => {
+        throw createDriverError('ECONNREFUSED', true)
+    })
+    store = new AuthExpressStore({ connection: pool })
+
+    const report = await store.healthCheck()
+    expect(report.healthy).toBe(false)
+    expect(report.latency).toBeNull()
+    expect(report.error).toEqual('Simulated ECONNREFUSED')
+    expect(pool.queries).toHaveLength(1)
+})
+
+test("HEALTHCHECK reports the connection counts of the store's own pool", async () => {
+    store = new AuthExpressStore({ driver: 'mysql2', password: 'wrong', connectTimeout: 500 })
+    const report = await store.healthCheck()
+
+    expect(report.healthy).toBe(false)
+    expect(report.pool).toStrictEqual({ active: 0, queued: 0, limit: 10 })
+})
+
+test('POOLSTATS counts the connections the store has checked out, and the queries waiting for one', async () => {
+    const pool = limitToOneConnection(
+        createStubPool(() => [{ acquired: 1, released: 1, count: 0 }])
+    )
+    store = new AuthExpressStore({ connection: pool })
+    expect(store.poolStats()).toBeNull()
+
+    let finishTask
+    await new Promise((resolve) => {
+        store.withNamedLock(
+            'held',
+            0,
+            (connection, callback) => {
+                finishTask = callback
+                resolve()
+            },
+            () => {}
+        )
+    })
+    const waiting = store.length()
+    expect(store.poolStats()).toStrictEqual({ active: 1, queued: 1 })
+
+    finishTask()
+    await waiting
+    expect(store.poolStats()).toStrictEqual({ active: 0, queued: 0 })
+})
+
+test.each([
+    [['SESSION_ID', 'EXPIRES', 'DATA', 'USER'], 200],
+    [[], 503]
+])(
+    'The health check handler responds to a table with columns %p with status %p',
+    async (columns, status) => {
+        store = new AuthExpressStore({ connection: createHealthCheckPool(columns) })
+        const res = { set: jest.fn(), status: jest.fn(), json: jest.fn() }
+        res.status.mockReturnValue(res)
+        const next = jest.fn()
+
+        createHealthCheckHandler(store)({}, res, next)
+        await new Promise((resolve) => {
+            res.json.mockImplementation(resolve)
+        })
+
+        expect(res.status).toHaveBeenCalledWith(status)
+        expect(res.json.mock.calls[0][0].healthy).toBe(status === 200)
+        expect(next).not.toHaveBeenCalled()
+    }
+)
+
+test('TOUCH in write-behind mode buffers touches and writes them in one statement', async () => {
+    const pool = createStubPool(() => ({ affectedRows: 2 }))
+    store = new AuthExpressStore({
+        connection: pool,
+        writeBehind: { enabled: true, flushInterval: 20 }
+    })
+    const touchAt = (sessionID, time) =>
+        store.touch(sessionID, { ...sampleSessionData, cookie: { expires: new Date(time) } })
+
+    await touchAt('first', 1000)
+    await touchAt('second', 2000)
+    await touchAt('first', 3000)
+    expect(pool.queries).toHaveLength(0)
+
+    await new Promise((resolve) => {
+        setTimeout(resolve, 50)
+    })
+    expect(pool.queries).toStrictEqual([
+        'UPDATE ?? SET ?? = GREATEST(??, CASE ?? WHEN ? THEN ? WHEN ? THEN ? ELSE ?? END) WHERE ?? IN (?, ?)'
+    ])
+    expect(pool.params[0]).toStrictEqual([
+        'SESSIONS',
+        'EXPIRES',
+        'EXPIRES',
+        'SESSION_ID',
+        'first',
+        3000,
+        'second',
+        2000,
+        'EXPIRES',
+        'SESSION_ID',
+        'first',
+        'second'
+    ])
+})
+
+test('TOUCH in write-behind mode flushes once the buffer reaches the max batch size', async () => {
+    const pool = createStubPool(() => ({ affectedRows: 2 }))
+    store = new AuthExpressStore({
+        connection: pool,
+        writeBehind: { enabled: true, flushInterval: 60000, maxBatchSize: 2 }
+    })
+
+    await store.touch('first', sampleSessionData)
+    await store.touch('second', sampleSessionData)
+    await new Promise((resolve) => {
+        setTimeout(resolve, 10)
+    })
+    expect(pool.queries).toHaveLength(1)
+    expect(store.pendingTouches.size).toEqual(0)
+})
+
+test('Buffered touches are dropped by a destroy or set of the same session, and written on CLOSE', async () => {
+    const pool = createStubPool(() => ({ affectedRows: 1 }))
+    store = new AuthExpressStore({
+        connection: pool,
+        writeBehind: { enabled: true, flushInterval: 60000 }
+    })
+
+    await store.touch('destroyed', sampleSessionData)
+    await store.touch('saved', sampleSessionData)
+    await store.touch('touched', sampleSessionData)
+    await store.destroy('destroyed')
+    await store.set('saved', sampleSessionData)
+    await store.close()
+
+    const flush = pool.queries.findIndex((sql) => sql.startsWith('UPDATE'))
+    expect(pool.queries).toHaveLength(3)
+    expect(pool.params[flush]).toContain('touched')
+    expect(pool.params[flush]).not.toContain('destroyed')
+    expect(pool.params[flush]).not.toContain('saved')
+    await expect(store.touch('touched', sampleSessionData)).rejects.toHaveProperty(
+        'code',
+        'ESTORECLOSED'
+    )
+})
+
+test('CLOSE writes every buffered touch, batch after batch, trying a failed batch again', async () => {
+    let failures = 1
+    const pool = createStubPool((sql, params) => {
+        if (sql.startsWith('UPDATE') && failures > 0) {
+            failures -= 1
+            throw createDriverError('ER_QUERY_INTERRUPTED')
+        }
+        return { affectedRows: params.length }
+    })
+    store = new AuthExpressStore({
+        connection: pool,
+        writeBehind: { enabled: true, flushInterval: 10, maxBatchSize: 2 }
+    })
+
+    store.bufferTouch('first', 1000)
+    store.bufferTouch('second', 2000)
+    store.bufferTouch('third', 3000)
+    await store.close()
+
+    const flushed = pool.params
+        .filter((params, index) => pool.queries[index].startsWith('UPDATE'))
+        .map((params) => params.filter((param) => ['first', 'second', 'third'].includes(param)))
+    expect(flushed).toStrictEqual([
+        ['first', 'second', 'first', 'second'],
+        ['third', 'third'],
+        ['first', 'second', 'first', 'second']
+    ])
+    expect(store.pendingTouches.size).toBe(0)
+})
+
+/**
+ * Helper function to create a stand-in for a database holding the given sessions
+ * @param {object} sessions The session data of each session, keyed by session ID
+ * @returns {object} The stub pool
+ */
+function createSessionPool(sessions) {
+    return createStubPool((sql, params) => {
+        if (!sql.startsWith('SELECT')) {
+            return { affectedRows: 1 }
+        }
+        const session = sessions[params[4]]
+        if (!session) {
+            return []
+        }
+        return [
+            {
+                sessionData: JSON.stringify(session),
+                sessionExpires: new Date(session.cookie.expires).getTime()
+            }
+        ]
+    })
+}
+
+test('GET serves recently read sessions from the cache and reports hits and misses', async () => {
+    const pool = createSessionPool({ [sampleSessionID]: sampleSessionData })
+    store = new AuthExpressStore({ connection: pool, cache: { enabled: true } })
+
+    const first = await store.get(sampleSessionID)
+    first.passport.user = 'changed@test.com'
+    const second = await store.get(sampleSessionID)
+
+    expect(second).toStrictEqual(sampleSessionData)
+    expect(pool.queries).toHaveLength(1)
+    expect(store.cacheStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5, entries: 1 })
+})
+
+test('SET, TOUCH, DESTROY, DESTROYUSER, and CLEAR keep the cache up to date', async () => {
+    const session = getSessionDetails()
+    const pool = createSessionPool({})
+    store = new AuthExpressStore({ connection: pool, cache: { enabled: true } })
+
+    await store.set(session.sessionID, session.sessionData)
+    const later = new Date(session.expireTime + 60000)
+    await store.touch(session.sessionID, { ...session.sessionData, cookie: { expires: later } })
+    await expect(store.get(session.sessionID)).resolves.toHaveProperty('cookie.expires', later)
+
+    await store.destroy(session.sessionID)
+    await store.get(session.sessionID)
+    await store.set(session.sessionID, session.sessionData)
+    await store.destroyUser(session.email)
+    await store.get(session.sessionID)
+    await store.set(session.sessionID, session.sessionData)
+    await store.clear()
+    await store.get(session.sessionID)
+
+    expect(pool.queries.filter((sql) => sql.startsWith('SELECT'))).toHaveLength(3)
+    expect(store.cacheStats()).toMatchObject({ hits: 1, misses: 3, entries: 0 })
+})
+
+test('The cache drops sessions after the ttl and beyond the max entries or bytes', async () => {
+    const sessions = { first: sampleSessionData, second: sampleSessionData }
+    const pool = createSessionPool(sessions)
+    store = new AuthExpressStore({
+        connection: pool,
+        cache: { enabled: true, maxEntries: 1, ttl: 20 }
+    })
+
+    await store.get('first')
+    await store.get('second')
+    await store.get('first')
+    expect(pool.queries).toHaveLength(3)
+
+    await new Promise((resolve) => {
+        setTimeout(resolve, 30)
+    })
+    await store.get('first')
+    expect(pool.queries).toHaveLength(4)
+
+    store = new AuthExpressStore({ connection: pool, cache: { enabled: true, maxBytes: 10 } })
+    await store.get('first')
+    await store.get('first')
+    expect(pool.queries).toHaveLength(6)
+    expect(store.cacheStats()).toMatchObject({ entries: 0, bytes: 0 })
+})
+
+/**
+ * Helper function to create a stand-in for a database holding the given invalidation log
+ * @param {object[]} log The invalidation log entries, each of form `{ sessionID, user }`
+ * @returns {object} The stub pool
+ */
+function createInvalidationPool(log) {
+    return createStubPool((sql, params) => {
+        if (sql.startsWith('SELECT COALESCE(MAX(ID)')) {
+            return [{ lastID: log.length }]
+        }
+        if (sql.startsWith('SELECT ID')) {
+            return log
+                .map((entry, index) => ({ id: index + 1, ...entry }))
+                .filter((entry) => entry.id > params[1])
+        }
+        if (sql.startsWith('INSERT INTO ?? (SESSION_ID')) {
+            log.push({ sessionID: params[1], user: params[2] })
+        }
+        return sql.startsWith('SELECT') ? [] : { affectedRows: 1 }
+    })
+}
+
+test('DESTROY, DESTROYUSER, and CLEAR are written to the invalidation log', async () => {
+    const log = []
+    const pool = createInvalidationPool(log)
+    store = new AuthExpressStore({
+        connection: pool,
+        cache: { enabled: true },
+        invalidation: { enabled: true }
+    })
+
+    await store.destroy(sampleSessionID)
+    await store.destroyUser('user@test.com')
+    await store.clear()
+
+    expect(log).toStrictEqual([
+        { sessionID: sampleSessionID, user: null },
+        { sessionID: null, user: 'user@test.com' },
+        { sessionID: null, user: null }
+    ])
+})
+
+test('A failed invalidation log write is emitted without failing the destroy, and is not retried', async () => {
+    const pool = createStubPool((sql) => {
+        if (sql.startsWith('INSERT INTO ?? (SESSION_ID')) {
+            throw createDriverError('PROTOCOL_CONNECTION_LOST', true)
+        }
+        return sql.startsWith('SELECT') ? [{ lastID: 0 }] : { affectedRows: 1 }
+    })
+    store = new AuthExpressStore({
+        connection: pool,
+        cache: { enabled: true },
+        invalidation: { enabled: true }
+    })
+    const failures = []
+    store.on('invalidationFailed', (error) => failures.push(error.code))
+
+    await expect(store.destroy(sampleSessionID)).resolves.toBeUndefined()
+    expect(failures).toStrictEqual(['PROTOCOL_CONNECTION_LOST'])
+    expect(pool.queries.filter((sql) => sql.startsWith('INSERT INTO ?? (SESSION_ID'))).toHaveLength(
+        1
+    )
+})
+
+test('Sessions destroyed by another store instance are dropped from the cache on the next poll', async () => {
+    const log = []
+    const pool = createInvalidationPool(log)
+    const session = getSessionDetails()
+    const wait = (ms) =>
+        new Promise((resolve) => {
+            setTimeout(resolve, ms)
+        })
+    store = new AuthExpressStore({
+        connection: pool,
+        cache: { enabled: true },
+        invalidation: { enabled: true, pollInterval: 10 }
+    })
+
+    await wait(30)
+    await store.set(session.sessionID, session.sessionData)
+    await store.get(session.sessionID)
+    expect(store.cacheStats()).toMatchObject({ hits: 1, entries: 1 })
+
+    log.push({ sessionID: session.sessionID, user: null })
+    await wait(30)
+    expect(store.cacheStats()).toMatchObject({ entries: 0 })
+
+    await store.set(session.sessionID, session.sessionData)
+    log.push({ sessionID: null, user: session.email })
+    await wait(30)
+    expect(store.cacheStats()).toMatchObject({ entries: 0 })
+})
+
+test('The sweeper deletes expired sessions in batches and emits how many it removed', (done) => {
+    let expiredRows = 5
+    const pool = createStubPool((sql, params) => {
+        if (sql.startsWith('SELECT')) {
+            return [{ acquired: 1, released: 1 }]
+        }
+        const affectedRows = Math.min(expiredRows, params[3])
+        expiredRows -= affectedRows
+        return { affectedRows }
+    })
+    store = new AuthExpressStore({
+        connection: pool,
+        clearExpired: true,
+        checkExpirationInterval: 10,
+        expirationBatchSize: 2
+    })
+
+    store.once('sweep', (count) => {
+        expect(count).toBe(5)
+        expect(pool.queries).toStrictEqual([
+            'SELECT GET_LOCK(?, 0) AS acquired',
+            'DELETE FROM ?? WHERE ?? < ? LIMIT ?',
+            'DELETE FROM ?? WHERE ?? < ? LIMIT ?',
+            'DELETE FROM ?? WHERE ?? < ? LIMIT ?',
+            'SELECT RELEASE_LOCK(?) AS released'
+        ])
+        expect(pool.params[0]).toStrictEqual(['auth-express-mysql:SESSIONS'])
+        store.once('sweep', (nextCount) => {
+            expect(nextCount).toBe(0)
+            done()
+        })
+    })
+})
+
+test('The sweeper deletes on the connection holding the expiration lock, so one connection is enough', (done) => {
+    const pool = limitToOneConnection(
+        createStubPool((sql) => {
+            if (sql.startsWith('SELECT')) {
+                return [{ acquired: 1, released: 1 }]
+            }
+            return { affectedRows: 0 }
+        })
+    )
+    store = new AuthExpressStore({
+        connection: pool,
+        clearExpired: true,
+        checkExpirationInterval: 10
+    })
+
+    store.once('sweep', (count) => {
+        expect(count).toBe(0)
+        expect(pool.queries).toStrictEqual([
+            'SELECT GET_LOCK(?, 0) AS acquired',
+            'DELETE FROM ?? WHERE ?? < ? LIMIT ?',
+            'SELECT RELEASE_LOCK(?) AS released'
+        ])
+        expect(pool.waiting).toHaveLength(0)
+        done()
+    })
+})
+
+test('The sweeper skips its run while another store instance holds the expiration lock', async () => {
+    const pool = createStubPool((sql) => {
+        if (sql.startsWith('SELECT')) {
+            return [{ acquired: 0 }]
+        }
+        return { affectedRows: 0 }
+    })
+    const sweeps = []
+    store = new AuthExpressStore({
+        connection: pool,
+        clearExpired: true,
+        checkExpirationInterval: 10,
+        expirationLockName: 'sessions-sweeper'
+    })
+    store.on('sweep', (count) => sweeps.push(count))
+
+    await new Promise((resolve) => {
+        setTimeout(resolve, 35)
+    })
+
+    expect(pool.queries.length).toBeGreaterThan(0)
+    expect(pool.queries.every((sql) => sql === 'SELECT GET_LOCK(?, 0) AS acquired')).toBe(true)
+    expect(pool.params[0]).toStrictEqual(['sessions-sweeper'])
+    expect(sweeps).toStrictEqual([])
+})
+
+test('The sweeper runs without taking a lock when expirationLock is off', (done) => {
+    const pool = createStubPool(() => ({ affectedRows: 0 }))
+    store = new AuthExpressStore({
+        connection: pool,
+        clearExpired: true,
+        checkExpirationInterval: 10,
+        expirationLock: false
+    })
+
+    store.once('sweep', (count) => {
+        expect(count).toBe(0)
+        expect(pool.queries).toStrictEqual(['DELETE FROM ?? WHERE ?? < ? LIMIT ?'])
+        done()
+    })
+})
+
+test('CREATEEXPIRATIONEVENT replaces the event with one that deletes expired sessions in batches', async () => {
+    const pool = createStubPool(() => ({ affectedRows: 0 }))
+    store = new AuthExpressStore({
+        connection: pool,
+        tableName: 'APP_SESSIONS',
+        columnNames: { expires: 'EXPIRES_AT' },
+        checkExpirationInterval: 60000,
+        expirationBatchSize: 500
+    })
+
+    await store.createExpirationEvent()
+    await store.dropExpirationEvent()
+
+    expect(pool.queries).toHaveLength(3)
+    expect(pool.queries[0]).toBe('DROP EVENT IF EXISTS ??')
+    expect(pool.queries[1]).toMatch(/^CREATE EVENT \?\? ON SCHEDULE EVERY 60 SECOND DO/)
+    expect(pool.queries[1]).toMatch(/DELETE FROM \?\? WHERE \?\? < .* LIMIT 500;/)
+    expect(pool.queries[1]).toMatch(/UNTIL ROW_COUNT\(\) < 500 END REPEAT;/)
+    expect(pool.params[1]).toStrictEqual(['APP_SESSIONS_EXPIRATION', 'APP_SESSIONS', 'EXPIRES_AT'])
+    expect(pool.queries[2]).toBe('DROP EVENT IF EXISTS ??')
+    expect(pool.params[2]).toStrictEqual(['APP_SESSIONS_EXPIRATION'])
+})
+
+test('CREATEEXPIRATIONEVENT installs an event the database schedules, and DROPEXPIRATIONEVENT removes it', async () => {
+    store = new AuthExpressStore({ tableName: 'TEST_SESSIONS', checkExpirationInterval: 60000 })
+    const findEvent = () =>
+        runSql(
+            'SELECT EVENT_NAME AS name, INTERVAL_VALUE AS every, INTERVAL_FIELD AS unit, STATUS AS status FROM INFORMATION_SCHEMA.EVENTS WHERE EVENT_SCHEMA = DATABASE() AND EVENT_NAME = ?',
+            ['TEST_SESSIONS_EXPIRATION']
+        )
+
+    await store.createTable()
+    await store.createExpirationEvent()
+    const [event] = await findEvent()
+    expect(event.name).toBe('TEST_SESSIONS_EXPIRATION')
+    expect(String(event.every)).toBe('60')
+    expect(event.unit).toBe('SECOND')
+    expect(event.status).toBe('ENABLED')
+
+    // Installing it again replaces the event rather than failing
+    await store.createExpirationEvent()
+    await expect(findEvent()).resolves.toHaveLength(1)
+
+    await store.dropExpirationEvent()
+    await expect(findEvent()).resolves.toHaveLength(0)
+})
+
+test('SET and TOUCH give browser-session cookies the default expiration, and GET leaves them without one', async () => {
+    const session = getSessionDetails()
+    session.sessionData.cookie.expires = null
+    let stored
+    const pool = createStubPool((sql, params) => {
+        if (sql.startsWith('INSERT')) {
+            stored = { sessionData: params[6], sessionExpires: params[7] }
+        }
+        return sql.startsWith('SELECT') ? [stored] : { affectedRows: 1 }
+    })
+    store = new AuthExpressStore({ connection: pool, defaultExpiration: 60000 })
+
+    const before = Date.now()
+    await store.set(session.sessionID, session.sessionData)
+    await store.touch(session.sessionID, session.sessionData)
+    const after = Date.now()
+
+    expect(stored.sessionExpires).toBeGreaterThanOrEqual(before + 60000)
+    expect(stored.sessionExpires).toBeLessThanOrEqual(after + 60000)
+    expect(pool.params[1][2]).toBeGreaterThanOrEqual(stored.sessionExpires)
+    expect(pool.params[1][2]).toBeLessThanOrEqual(after + 60000)
+    await expect(store.get(session.sessionID)).resolves.toHaveProperty('cookie.expires', null)
+})
+
+test('SET, TOUCH, and GET hold sessions to the maxLifetime cap', async () => {
+    const session = getSessionDetails()
+    const created = Date.now() - 50000
+    const pool = createStubPool((sql) => {
+        if (sql.startsWith('SELECT')) {
+            return [
+                {
+                    sessionData: JSON.stringify(session.sessionData),
+                    sessionExpires: created + 60000,
+                    sessionCreated: created
+                }
+            ]
+        }
+        return { affectedRows: 1 }
+    })
+    store = new AuthExpressStore({
+        connection: pool,
+        maxLifetime: 60000,
+        cache: { enabled: true }
+    })
+
+    const before = Date.now()
+    await store.set(session.sessionID, session.sessionData)
+    expect(pool.queries[0]).toMatch(
+        /\(\?\?, \?\?, \?\?, \?\?, \?\?\) VALUES \(\?, \?, \?, \?, \?\)/
+    )
+    expect(pool.queries[0]).toMatch(/\?\? = LEAST\(VALUES\(\?\?\), COALESCE\(\?\?, 0\) \+ \?\)/)
+    const [, , , , , createdColumn, , , expires, , createdAt] = pool.params[0]
+    expect(createdColumn).toBe('CREATED')
+    expect(createdAt).toBeGreaterThanOrEqual(before)
+    expect(expires).toBe(createdAt + 60000)
+
+    await store.touch(session.sessionID, session.sessionData)
+    expect(pool.queries[1]).toBe('UPDATE ?? SET ?? = LEAST(?, COALESCE(??, 0) + ?) WHERE ?? = ?')
+
+    const found = await store.get(session.sessionID)
+    expect(pool.queries[2]).toMatch(/AND \?\? >= \? AND \?\? >= \?$/)
+    expect(pool.params[2][9]).toBeGreaterThanOrEqual(before - 60000)
+    expect(found.cookie.expires).toStrictEqual(new Date(created + 60000))
+
+    await store.touch(session.sessionID, session.sessionData)
+    const cached = await store.get(session.sessionID)
+    expect(pool.queries).toHaveLength(4)
+    expect(cached.cookie.expires).toStrictEqual(new Date(created + 60000))
+})
+
+test('HEALTHCHECK only requires the creation time column with maxLifetime', async () => {
+    store = new AuthExpressStore({
+        connection: createHealthCheckPool(['SESSION_ID', 'EXPIRES', 'DATA', 'USER']),
+        maxLifetime: 60000
+    })
+
+    const report = await store.healthCheck()
+    expect(report.table.missingColumns).toStrictEqual(['CREATED'])
+})
+
+test('GET treats sessions idle for longer than idleTimeout as missing, and records each access', async () => {
+    const session = getSessionDetails()
+    const accessed = Date.now() - 20000
+    const pool = createStubPool((sql) => {
+        if (sql.startsWith('SELECT')) {
+            return [
+                {
+                    sessionData: JSON.stringify(session.sessionData),
+                    sessionExpires: session.expireTime,
+                    sessionAccessed: accessed
+                }
+            ]
+        }
+        return { affectedRows: 1 }
+    })
+    store = new AuthExpressStore({ connection: pool, idleTimeout: 60000, touchAfter: 10000 })
+
+    const before = Date.now()
+    await store.get(session.sessionID)
+    expect(pool.queries[0]).toBe(
+        'SELECT ?? AS sessionData, ?? AS sessionExpires, ?? AS sessionAccessed FROM ?? WHERE ?? = ? AND ?? >= ? AND ?? >= ?'
+    )
+    expect(pool.params[0][8]).toBe('ACCESSED')
+    expect(pool.params[0][9]).toBeGreaterThanOrEqual(before - 60000)
+
+    await new Promise((resolve) => {
+        setImmediate(resolve)
+    })
+    expect(pool.queries[1]).toBe('UPDATE ?? SET ?? = GREATEST(COALESCE(??, 0), ?) WHERE ?? = ?')
+    expect(pool.params[1][3]).toBeGreaterThanOrEqual(before)
+
+    // The access was just written, so reading again within touchAfter does not write it again
+    await store.get(session.sessionID)
+    const later = new Date(session.expireTime + 60000)
+    await store.touch(session.sessionID, { ...session.sessionData, cookie: { expires: later } })
+    expect(pool.queries).toHaveLength(4)
+    expect(pool.queries[3]).toBe('UPDATE ?? SET ?? = ?, ?? = ? WHERE ?? = ?')
+
+    await store.expiredClear()
+    expect(pool.queries[4]).toBe('DELETE FROM ?? WHERE (?? < ? OR COALESCE(??, 0) < ?)')
+})
+
+/**
+ * Helper function to create a stand-in for a database a migration can run against
+ * @param {number} version The schema version already recorded
+ * @param {string[]} existing What the table already has, as the names of its indexed columns and columns
+ * @param {string} [failing] The start of the statements to fail with a permissions error
+ * @returns {object} The stub pool
+ */
+function createMigrationPool(version, existing, failing) {
+    return createStubPool((sql, params) => {
+        if (failing && sql.startsWith(failing)) {
+            throw createDriverError('ER_TABLEACCESS_DENIED_ERROR')
+        }
+        if (sql.startsWith('SELECT GET_LOCK') || sql.startsWith('SELECT RELEASE_LOCK')) {
+            return [{ acquired: 1, released: 1 }]
+        }
+        if (sql.startsWith('SELECT COALESCE(MAX(VERSION)')) {
+            return [{ version }]
+        }
+        if (sql.includes('INFORMATION_SCHEMA')) {
+            return [{ count: existing.includes(params[2]) ? 1 : 0 }]
+        }
+        return { affectedRows: 1 }
+    })
+}
+
+test('MIGRATE applies and records every migration a table has not had yet', async () => {
+    const pool = createMigrationPool(0, ['CREATED'])
+    store = new AuthExpressStore({ connection: pool })
+
+    await expect(store.migrate()).resolves.toStrictEqual([1, 2, 3, 4])
+
+    const changes = pool.queries
+        .map((sql, index) => [sql, pool.params[index]])
+        .filter(([sql]) => /^(CREATE INDEX|ALTER TABLE)/.test(sql))
+    expect(changes).toStrictEqual([
+        ['CREATE INDEX ?? ON ?? (??)', ['IDX_EXPIRES', 'SESSIONS', 'EXPIRES']],
+        ['CREATE INDEX ?? ON ?? (??)', ['IDX_USER', 'SESSIONS', 'USER']],
+        ['ALTER TABLE ?? ADD COLUMN ?? bigint null', ['SESSIONS', 'ACCESSED']]
+    ])
+    const recorded = pool.params
+        .filter((params, index) => pool.queries[index].startsWith('INSERT IGNORE INTO ?? (VERSION'))
+        .map((params) => params.slice(0, 2))
+    expect(recorded).toStrictEqual([
+        ['SESSIONS_MIGRATIONS', 1],
+        ['SESSIONS_MIGRATIONS', 2],
+        ['SESSIONS_MIGRATIONS', 3],
+        ['SESSIONS_MIGRATIONS', 4]
+    ])
+})
+
+test('CREATETABLE and MIGRATE run the migrations on the connection holding the lock, so one connection is enough', async () => {
+    const pool = limitToOneConnection(createMigrationPool(0, []))
+    store = new AuthExpressStore({ connection: pool })
+
+    await store.createTable()
+    expect(pool.queries.filter((sql) => sql.startsWith('CREATE INDEX'))).toHaveLength(2)
+    expect(pool.queries[pool.queries.length - 1]).toBe('SELECT RELEASE_LOCK(?) AS released')
+    expect(pool.waiting).toHaveLength(0)
+})
+
+test('MIGRATE skips the migrations already recorded, and stops at the first that fails', async () => {
+    let pool = createMigrationPool(4, [])
+    store = new AuthExpressStore({ connection: pool, tableName: 'APP.SESSIONS' })
+    await expect(store.migrate()).resolves.toStrictEqual([])
+    expect(pool.queries.some((sql) => sql.includes('INFORMATION_SCHEMA'))).toBe(false)
+
+    pool = createMigrationPool(2, [], 'ALTER TABLE')
+    store = new AuthExpressStore({ connection: pool, tableName: 'APP.SESSIONS' })
+    await expect(store.migrate()).rejects.toThrow('Simulated ER_TABLEACCESS_DENIED_ERROR')
+    expect(pool.params.find((params) => params[0] === 'APP')).toStrictEqual([
+        'APP',
+        'SESSIONS',
+        'CREATED'
+    ])
+    expect(
+        pool.queries.filter((sql) => sql.startsWith('INSERT IGNORE INTO ?? (VERSION'))
+    ).toHaveLength(0)
+})
+
+test('MIGRATE brings a table made with the original schema up to date, and has nothing to apply the second time', async () => {
+    store = new AuthExpressStore({ tableName: 'LEGACY_SESSIONS' })
+    await runSql('DROP TABLE IF EXISTS ??, ??', ['LEGACY_SESSIONS', 'LEGACY_SESSIONS_MIGRATIONS'])
+    await runSql(
+        `CREATE TABLE ?? (
+            SESSION_ID varchar(128) primary key not null,
+            EXPIRES bigint not null,
+            DATA mediumtext not null,
+            USER varchar(255) not null)`,
+        ['LEGACY_SESSIONS']
+    )
+
+    await expect(store.migrate()).resolves.toStrictEqual([1, 2, 3, 4])
+
+    const indexes = await runSql(
+        'SELECT DISTINCT INDEX_NAME AS name FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY INDEX_NAME',
+        ['LEGACY_SESSIONS']
+    )
+    expect(indexes.map(({ name }) => name)).toStrictEqual(['IDX_EXPIRES', 'IDX_USER', 'PRIMARY'])
+    const columns = await runSql(
+        'SELECT COLUMN_NAME AS name FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY ORDINAL_POSITION',
+        ['LEGACY_SESSIONS']
+    )
+    expect(columns.map(({ name }) => name)).toStrictEqual([
+        'SESSION_ID',
+        'EXPIRES',
+        'DATA',
+        'USER',
+        'CREATED',
+        'ACCESSED'
+    ])
+    await expect(store.verifySchema()).resolves.toBeUndefined()
+
+    await expect(store.migrate()).resolves.toStrictEqual([])
+    const versions = await runSql('SELECT VERSION AS version FROM ?? ORDER BY VERSION', [
+        'LEGACY_SESSIONS_MIGRATIONS'
+    ])
+    expect(versions.map(({ version }) => version)).toStrictEqual([1, 2, 3, 4])
+
+    await runSql('DROP TABLE ??, ??', ['LEGACY_SESSIONS', 'LEGACY_SESSIONS_MIGRATIONS'])
+})
+
+/**
+ * Helper function to create a stand-in for a database whose session table has the given columns
+ * @param {Array<object>} columns The `columnName`, `dataType`, `maxLength`, and `columnKey` of each column the session
+ * table has, or an empty array if it does not exist. Every migration is recorded as applied.
+ * @returns {object} The stub pool
+ */
+function createSchemaPool(columns) {
+    return createStubPool((sql) => {
+        if (sql.includes('INFORMATION_SCHEMA.COLUMNS')) {
+            return columns
+        }
+        if (sql.startsWith('SELECT GET_LOCK') || sql.startsWith('SELECT RELEASE_LOCK')) {
+            return [{ acquired: 1, released: 1 }]
+        }
+        if (sql.startsWith('SELECT COALESCE(MAX(VERSION)')) {
+            return [{ version: 4 }]
+        }
+        return { affectedRows: 0 }
+    })
+}
+
+const sessionTableColumns = [
+    { columnName: 'SESSION_ID', dataType: 'varchar', maxLength: 128, columnKey: 'PRI' },
+    { columnName: 'EXPIRES', dataType: 'bigint', maxLength: null, columnKey: 'MUL' },
+    { columnName: 'DATA', dataType: 'mediumtext', maxLength: 16777215, columnKey: '' },
+    { columnName: 'USER', dataType: 'varchar', maxLength: 255, columnKey: 'MUL' }
+]
+
+test('VERIFYSCHEMA accepts a table matching the configuration, and reports every problem with one that does not', async () => {
+    store = new AuthExpressStore({ connection: createSchemaPool(sessionTableColumns) })
+    await expect(store.verifySchema()).resolves.toBeUndefined()
+
+    store = new AuthExpressStore({
+        connection: createSchemaPool([
+            { columnName: 'session_id', dataType: 'varchar', maxLength: 16, columnKey: '' },
+            { columnName: 'EXPIRES', dataType: 'int', maxLength: null, columnKey: '' },
+            { columnName: 'DATA', dataType: 'text', maxLength: 65535, columnKey: '' },
+            { columnName: 'USER', dataType: 'varchar', maxLength: 255, columnKey: 'MUL' }
+        ]),
+        maxLifetime: 60000
+    })
+    const error = await store.verifySchema().catch((rejection) => rejection)
+    expect(error.code).toEqual('ESCHEMAMISMATCH')
+    expect(error.problems).toStrictEqual([
+        "column 'SESSION_ID' holds 16 characters, but must hold at least 32",
+        "column 'SESSION_ID' must be the primary key or have a unique index",
+        "column 'EXPIRES' is int, but must be bigint",
+        "column 'EXPIRES' has no index. Run migrate() to add one",
+        "column 'CREATED' (columnNames.created) does not exist"
+    ])
+    expect(error.message).toMatch(
+        /^The session table 'SESSIONS' does not match the configuration: /
+    )
+
+    store = new AuthExpressStore({ connection: createSchemaPool([]) })
+    await expect(store.verifySchema()).rejects.toThrow(
+        "The session table 'SESSIONS' does not match the configuration: the table does not exist"
+    )
+})
+
+test('The verifySchema setting checks the table at startup, emitting an error only for a mismatch, and creates it first when asked', async () => {
+    store = new AuthExpressStore({ connection: createSchemaPool([]), verifySchema: true })
+    const error = await new Promise((resolve) => {
+        store.once('error', resolve)
+    })
+    expect(error.code).toEqual('ESCHEMAMISMATCH')
+
+    store = new AuthExpressStore({
+        connection: createStubPool(() => {
+            throw createDriverError('ECONNREFUSED', true)
+        }),
+        retry: { maxAttempts: 1 },
+        verifySchema: true
+    })
+    const unverified = await new Promise((resolve) => {
+        store.once('schemaUnverified', resolve)
+    })
+    expect(unverified.code).toEqual('ECONNREFUSED')
+    expect(store.listenerCount('error')).toBe(0)
+
+    const pool = createSchemaPool(sessionTableColumns)
+    store = new AuthExpressStore({ connection: pool, verifySchema: 'create' })
+    await store.verifySchema()
+    expect(pool.queries[0]).toMatch(/^CREATE TABLE IF NOT EXISTS/)
+    expect(pool.queries[pool.queries.length - 1]).toMatch(/INFORMATION_SCHEMA\.COLUMNS/)
+})
+
+test('CREATETABLE with the json dataType stores the data as JSON and indexes each indexed path', async () => {
+    const pool = createMigrationPool(4, ['ROLE'])
+    store = new AuthExpressStore({
+        connection: pool,
+        dataType: 'json',
+        indexedPaths: { '$.tenantId': 'TENANT_ID', '$.role': 'ROLE' }
+    })
+
+    await store.createTable()
+    expect(pool.queries[0]).toMatch(/\?\? json not null/)
+    const changes = pool.queries
+        .map((sql, index) => [sql.replace(/\s+/g, ' '), pool.params[index]])
+        .filter(([sql]) => /^(CREATE INDEX|ALTER TABLE)/.test(sql))
+    expect(changes).toStrictEqual([
+        [
+            'ALTER TABLE ?? ADD COLUMN ?? varchar(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(??, ?)), 255)) VIRTUAL',
+            ['SESSIONS', 'TENANT_ID', 'DATA', '$.tenantId']
+        ],
+        ['CREATE INDEX ?? ON ?? (??)', ['IDX_TENANT_ID', 'SESSIONS', 'TENANT_ID']]
+    ])
+})
+
+test('FINDSESSIONS narrows an indexed JSON path down on its generated column, and matches the full value either way', async () => {
+    const pool = createStubPool(() => [{ SESSION_ID: 'first', DATA: { role: 'admin' } }])
+    store = new AuthExpressStore({ connection: pool, indexedPaths: { '$.tenantId': 'TENANT_ID' } })
+
+    await expect(store.findSessions('$.tenantId', 42)).resolves.toHaveLength(1)
+    expect(pool.queries[0]).toBe(
+        'SELECT * FROM ?? WHERE ?? = LEFT(?, 255) AND JSON_UNQUOTE(JSON_EXTRACT(??, ?)) = ? AND ?? >= ?'
+    )
+    expect(pool.params[0].slice(0, 6)).toStrictEqual([
+        'SESSIONS',
+        'TENANT_ID',
+        '42',
+        'DATA',
+        '$.tenantId',
+        '42'
+    ])
+
+    await store.findSessions('$.role', 'admin')
+    expect(pool.queries[1]).toBe(
+        'SELECT * FROM ?? WHERE JSON_UNQUOTE(JSON_EXTRACT(??, ?)) = ? AND ?? >= ?'
+    )
+    expect(pool.params[1].slice(0, 4)).toStrictEqual(['SESSIONS', 'DATA', '$.role', 'admin'])
+
+    await expect(store.findSessions('role', 'admin')).rejects.toThrow(
+        "The path must be a JSON path starting with '$'. Received: role"
+    )
+    await expect(store.findSessions('$.role', { is: 'admin' })).rejects.toThrow(
+        'The value must be a string, number, or boolean. Received: object'
+    )
+    expect(pool.queries).toHaveLength(2)
+})
+
+test('FINDSESSIONS finds sessions in a json data column by an indexed and an unindexed path', async () => {
+    store = new AuthExpressStore({
+        tableName: 'JSON_SESSIONS',
+        dataType: 'json',
+        indexedPaths: { '$.tenantId': 'TENANT_ID', '$.role': 'ROLE' }
+    })
+    await runSql('DROP TABLE IF EXISTS ??, ??', ['JSON_SESSIONS', 'JSON_SESSIONS_MIGRATIONS'])
+    await store.createTable()
+    await expect(store.verifySchema()).resolves.toBeUndefined()
+
+    // The role is longer than its generated column holds, so the indexed lookup only narrows the rows down
+    const role = `é${'x'.repeat(300)}`
+    const first = getSessionDetails()
+    const second = getSessionDetails()
+    await store.set(first.sessionID, { ...first.sessionData, tenantId: 42, role })
+    await store.set(second.sessionID, { ...second.sessionData, tenantId: 7, role: `${role}y` })
+
+    const findIDs = async (path, value) =>
+        (await store.findSessions(path, value)).map((row) => row.SESSION_ID)
+    await expect(findIDs('$.tenantId', 42)).resolves.toStrictEqual([first.sessionID])
+    await expect(findIDs('$.role', role)).resolves.toStrictEqual([first.sessionID])
+    await expect(findIDs('$.passport.user', second.email)).resolves.toStrictEqual([
+        second.sessionID
+    ])
+    await expect(store.get(first.sessionID)).resolves.toMatchObject({ tenantId: 42, role })
+
+    await runSql('DROP TABLE ??, ??', ['JSON_SESSIONS', 'JSON_SESSIONS_MIGRATIONS'])
+})
+
+test('GET accepts session data the driver has already parsed from a JSON column', async () => {
+    const session = getSessionDetails()
+    const pool = createStubPool(() => [
+        { sessionData: session.sessionData, sessionExpires: session.expireTime }
+    ])
+    store = new AuthExpressStore({ connection: pool, dataType: 'json', cache: { enabled: true } })
+
+    const sessionData = await store.get(session.sessionID)
+    expect(sessionData.passport).toStrictEqual(session.sessionData.passport)
+    expect(sessionData.cookie.expires).toEqual(new Date(session.expireTime))
+    await expect(store.get(session.sessionID)).resolves.toStrictEqual(sessionData)
+    expect(pool.queries).toHaveLength(1)
+})
+
+test('VERIFYSCHEMA requires a json data column and the generated column of each indexed path', async () => {
+    store = new AuthExpressStore({
+        connection: createSchemaPool(sessionTableColumns),
+        dataType: 'json',
+        indexedPaths: { '$.tenantId': 'TENANT_ID' }
+    })
+
+    const error = await store.verifySchema().catch((rejection) => rejection)
+    expect(error.problems).toStrictEqual([
+        "column 'DATA' is mediumtext, but must be json or longtext",
+        "column 'TENANT_ID' (indexedPaths['$.tenantId']) does not exist"
+    ])
+})